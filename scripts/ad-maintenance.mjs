@@ -0,0 +1,196 @@
+// Maintenance jobs for the ads collection, run with the Admin SDK (so outside security rules):
+//
+//   node scripts/ad-maintenance.mjs backfill   gives older ads a status, expiry date and moderationStatus;
+//                                              runs before every Firestore deploy (firebase.json)
+//   node scripts/ad-maintenance.mjs cleanup    expires and archives ads; schedule it daily (cron, CI)
+//   node scripts/ad-maintenance.mjs screen     lists new ads or holds them for moderators; schedule it
+//                                              every few minutes
+//
+// Set FIRESTORE_EMULATOR_HOST (see the *:emulator npm scripts) to run against the local emulator;
+// otherwise the default service account credentials and GCLOUD_PROJECT are used. APP_ID picks the
+// artifacts/{appId} tree (default 'default-app-id', as in script.js).
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldPath, FieldValue, Timestamp } from 'firebase-admin/firestore';
+
+const APP_ID = process.env.APP_ID || 'default-app-id';
+const PAGE_SIZE = 300;
+
+// Keep in step with LISTED_AD_STATUSES and ARCHIVE_AFTER_DAYS in script.js
+const LISTED_AD_STATUSES = ['active', 'reserved'];
+const ARCHIVE_AFTER_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keep in step with CATEGORY_LIFETIME_DAYS and CATEGORY_TREE in script.js, subcategories included
+const CATEGORY_LIFETIME_DAYS = {
+    'Cars': 45, 'Sedans': 45, 'Hatchbacks': 45, 'SUVs & Jeeps': 45,
+    'Motorcycles': 45,
+    'Apartments': 60, 'Apartments for Sale': 60, 'Apartments for Rent': 60,
+    'Jobs': 21, 'IT & Software': 21, 'Sales & Marketing': 21, 'Teaching': 21,
+};
+const DEFAULT_AD_LIFETIME_DAYS = 30;
+const CLEANUP_BATCH_SIZE = 150; // Archiving takes two writes per ad; a batch holds at most 500
+
+// Keep in step with SPAM_KEYWORDS, BLOCKED_PHONE_NUMBERS, extractPhoneNumbers and normalizeText in script.js
+const SPAM_KEYWORDS = [
+    'advance payment', 'pay in advance', 'western union', 'moneygram', 'registration fee', 'processing fee',
+    'lottery', 'jackpot', 'prize winner', 'guaranteed income', 'double your money', 'crypto investment',
+    'token money first', 'customs clearance fee', 'work from home earn daily',
+];
+const BLOCKED_PHONE_NUMBERS = ['03001234567', '03111111111', '03211234567'];
+
+const extractPhoneNumbers = (text) => (String(text).match(/(?:\+|00)?92[\s-]?3\d{2}[\s-]?\d{7}|03\d{2}[\s-]?\d{7}/g) || [])
+    .map(match => match.replace(/\D/g, '').replace(/^(?:00)?92/, '0'));
+
+const normalizeText = (text = '') => String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+    .replace(/[يى]/g, 'ی')
+    .replace(/ك/g, 'ک')
+    .replace(/[ةه]/g, 'ہ')
+    .replace(/[۰-۹]/g, d => String(d.charCodeAt(0) - 0x06F0))
+    .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660))
+    .toLowerCase();
+
+const db = getFirestore(initializeApp());
+const dataPath = `artifacts/${APP_ID}/public/data`;
+const adsRef = db.collection(`${dataPath}/ads`);
+
+// The fields an ad from before statuses, expiry dates or moderation is missing. Like getAdStatus and
+// getExpiresAtMs in script.js, it expires one category lifetime after it was posted.
+const getBackfill = (ad, now) => {
+    const updates = {};
+    if (!ad.moderationStatus) updates.moderationStatus = 'visible';
+
+    const postedAt = ad.postedAt || ad.timestamp;
+    if (!ad.expiresAt && postedAt) {
+        updates.expiresAt = Timestamp.fromMillis(postedAt.toMillis() + (CATEGORY_LIFETIME_DAYS[ad.category] || DEFAULT_AD_LIFETIME_DAYS) * DAY_MS);
+        updates.bumpCount = 0;
+    }
+
+    if (!ad.status) {
+        const expiresAt = updates.expiresAt || ad.expiresAt;
+        updates.status = expiresAt && expiresAt.toMillis() <= now ? 'expired' : 'active';
+    }
+    return updates;
+};
+
+// Firestore cannot query for a missing field, so every ad is read, in pages by document id.
+// Feed and facet queries filter on status, moderationStatus and expiresAt, which leaves ads
+// without them out until this has run.
+const backfill = async (now = Date.now()) => {
+    let updated = 0;
+    let last = null;
+    for (;;) {
+        let page = adsRef.orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+        if (last) page = page.startAfter(last);
+        const snapshot = await page.get();
+        if (snapshot.empty) break;
+
+        const batch = db.batch();
+        const legacy = snapshot.docs
+            .map(adDoc => [adDoc.ref, getBackfill(adDoc.data(), now)])
+            .filter(([, updates]) => Object.keys(updates).length);
+        legacy.forEach(([ref, updates]) => batch.update(ref, updates));
+        if (legacy.length) await batch.commit();
+
+        updated += legacy.length;
+        last = snapshot.docs[snapshot.docs.length - 1];
+    }
+    return { updated };
+};
+
+/**
+ * Marks listed ads past their expiry as expired and moves ads expired for ARCHIVE_AFTER_DAYS to
+ * archivedAds (photos are kept, so an archived ad can still be restored). Works through batches
+ * until nothing is left, then logs the run and records it in maintenance/adCleanup. A failed run
+ * records nothing, so the next one simply picks up where it stopped.
+ */
+const cleanup = async (now = Date.now()) => {
+    const result = { expired: 0, archived: 0 };
+    for (;;) {
+        const [expiring, archivable] = await Promise.all([
+            adsRef.where('status', 'in', LISTED_AD_STATUSES).where('expiresAt', '<=', Timestamp.fromMillis(now)).limit(CLEANUP_BATCH_SIZE).get(),
+            adsRef.where('status', '==', 'expired').where('expiresAt', '<=', Timestamp.fromMillis(now - ARCHIVE_AFTER_DAYS * DAY_MS)).limit(CLEANUP_BATCH_SIZE).get(),
+        ]);
+        if (expiring.empty && archivable.empty) break;
+
+        const batch = db.batch();
+        expiring.docs.forEach(adDoc => batch.update(adDoc.ref, { status: 'expired', updatedAt: FieldValue.serverTimestamp() }));
+        archivable.docs.forEach(adDoc => {
+            batch.set(db.doc(`${dataPath}/archivedAds/${adDoc.id}`), { ...adDoc.data(), archivedAt: FieldValue.serverTimestamp() });
+            batch.delete(adDoc.ref);
+        });
+        await batch.commit();
+
+        result.expired += expiring.size;
+        result.archived += archivable.size;
+    }
+
+    const batch = db.batch();
+    batch.set(db.collection(`${dataPath}/moderationLog`).doc(), {
+        action: 'cleanup', adId: null, userId: null, reportIds: [],
+        note: `${result.expired} expired, ${result.archived} archived (scheduled)`,
+        adminId: null, createdAt: FieldValue.serverTimestamp()
+    });
+    batch.set(db.doc(`${dataPath}/maintenance/adCleanup`), { lastRunAt: Timestamp.fromMillis(now), adminId: null });
+    await batch.commit();
+
+    return result;
+};
+
+const getSpamFlags = (ad) => {
+    const text = `${ad.title} ${ad.description}`;
+    const lowerText = normalizeText(text);
+    const keywords = SPAM_KEYWORDS.filter(keyword => lowerText.includes(keyword));
+    const phones = extractPhoneNumbers(text).filter(phone => BLOCKED_PHONE_NUMBERS.includes(phone));
+    return [
+        ...keywords.map(keyword => `Suspicious phrase: "${keyword}"`),
+        ...[...new Set(phones)].map(phone => `Blacklisted number: ${phone}`),
+    ];
+};
+
+/**
+ * Checks ads waiting as 'pending' against the spam blacklist. Clean ads become visible; the rest
+ * keep their flagReasons and stay pending for the moderation queue. Either way the ad is marked
+ * screenedAt, so held ads are skipped on later runs until an edit clears it.
+ */
+const screen = async () => {
+    const result = { listed: 0, held: 0 };
+    let last = null;
+    for (;;) {
+        let page = adsRef.where('moderationStatus', '==', 'pending').orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+        if (last) page = page.startAfter(last);
+        const snapshot = await page.get();
+        if (snapshot.empty) break;
+
+        const batch = db.batch();
+        const unscreened = snapshot.docs.filter(adDoc => !adDoc.get('screenedAt'));
+        unscreened.forEach(adDoc => {
+            const flags = getSpamFlags(adDoc.data());
+            batch.update(adDoc.ref, flags.length
+                ? { flagReasons: flags, screenedAt: FieldValue.serverTimestamp() }
+                : { moderationStatus: 'visible', flagReasons: FieldValue.delete(), screenedAt: FieldValue.serverTimestamp() });
+            result[flags.length ? 'held' : 'listed']++;
+        });
+        if (unscreened.length) await batch.commit();
+
+        last = snapshot.docs[snapshot.docs.length - 1];
+    }
+    return result;
+};
+
+const JOBS = { backfill, cleanup, screen };
+
+const job = JOBS[process.argv[2]];
+if (!job) {
+    console.error(`Usage: node scripts/ad-maintenance.mjs <${Object.keys(JOBS).join('|')}>`);
+    process.exit(1);
+}
+
+job()
+    .then(result => console.log(`${process.argv[2]}:`, result))
+    .catch(error => {
+        console.error(`Error running ${process.argv[2]}:`, error);
+        process.exit(1);
+    });
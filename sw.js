@@ -0,0 +1,89 @@
+// OIX service worker: keeps the app shell and listing photos available offline.
+// Firestore data is cached by the Firestore SDK itself (persistent local cache), not here.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `oix-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `oix-images-${CACHE_VERSION}`;
+const MAX_CACHED_IMAGES = 300;
+
+const SHELL_URLS = ['./', './manifest.webmanifest', './icon.svg'];
+
+// Photos come from the storage bucket (or its emulator) and the placeholder service
+const IMAGE_HOSTS = ['firebasestorage.googleapis.com', 'storage.googleapis.com', 'placehold.co', 'localhost', '127.0.0.1'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, IMAGE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('oix-') && !current.includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+const trimCache = async (cacheName, maxEntries) => {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+// Pages: network first so deploys show up, falling back to the cached shell (routes live in the hash)
+const handleNavigation = async (request) => {
+    try {
+        const response = await fetch(request);
+        // An error page must not replace the shell used offline
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            cache.put('./', response.clone());
+        }
+        return response;
+    } catch (e) {
+        return (await caches.match('./')) || Response.error();
+    }
+};
+
+// Scripts, styles and the like: serve the cached copy straight away and refresh it in the background
+const handleAsset = async (request) => {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request).then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    }).catch(() => cached || Response.error());
+    return cached || network;
+};
+
+// Photos never change once uploaded, so cache first
+const handleImage = async (request) => {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+            trimCache(IMAGE_CACHE, MAX_CACHED_IMAGES);
+        }
+        return response;
+    } catch (e) {
+        return Response.error();
+    }
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (request.destination === 'image' && IMAGE_HOSTS.includes(url.hostname)) {
+        event.respondWith(handleImage(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(handleAsset(request));
+    }
+    // Everything else (Firestore, Auth, Storage uploads) goes straight to the network
+});
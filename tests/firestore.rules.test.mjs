@@ -0,0 +1,466 @@
+// Tests for firestore.rules against the local Firestore emulator. `npm test` starts the emulator
+// and runs them; `npm run test:rules` runs them against an emulator that is already up.
+import { readFileSync } from 'node:fs';
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc, deleteField, writeBatch, serverTimestamp, Timestamp } from 'firebase/firestore';
+
+const ROOT = 'artifacts/default-app-id';
+const DAY = 24 * 60 * 60 * 1000;
+
+const adPath = (adId) => `${ROOT}/public/data/ads/${adId}`;
+const offerPath = (offerId) => `${ROOT}/public/data/offers/${offerId}`;
+const profilePath = (uid) => `${ROOT}/users/${uid}/profile/public`;
+const limitsPath = (uid) => `${ROOT}/users/${uid}/limits/posting`;
+
+const storedAd = (userId, overrides = {}) => ({
+    title: 'Toyota Corolla 2015',
+    description: 'Well kept, single owner.',
+    category: 'Cars',
+    location: 'Lahore',
+    userId,
+    price: 2500000,
+    currency: 'PKR',
+    priceType: 'fixed',
+    status: 'active',
+    bumpCount: 0,
+    timestamp: Timestamp.now(),
+    postedAt: Timestamp.now(),
+    expiresAt: Timestamp.fromMillis(Date.now() + 30 * DAY),
+    ...overrides,
+});
+
+// What postAd writes for a new ad
+const newAd = (userId, overrides = {}) => ({
+    ...storedAd(userId),
+    timestamp: serverTimestamp(),
+    postedAt: serverTimestamp(),
+    moderationStatus: 'pending',
+    ...overrides,
+});
+
+// A seller's posting counters after their first post
+const firstPostLimits = () => ({
+    lastPostedAt: serverTimestamp(),
+    hourStart: serverTimestamp(),
+    hourCount: 1,
+    dayStart: serverTimestamp(),
+    dayCount: 1,
+});
+
+const storedOffer = (overrides = {}) => ({
+    adId: 'ad1',
+    adTitle: 'Toyota Corolla 2015',
+    buyerId: 'bob',
+    sellerId: 'alice',
+    participants: ['bob', 'alice'],
+    amount: 2300000,
+    counterAmount: null,
+    status: 'pending',
+    history: [],
+    expiresAt: Date.now() + 3 * DAY,
+    ...overrides,
+});
+
+let testEnv;
+
+const seed = (path, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+const dbAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+// What postAd writes: the ad and the seller's posting counters, together
+const post = (db, uid, ad, adId = 'ad1', limits = firstPostLimits()) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, adPath(adId)), ad);
+    batch.set(doc(db, limitsPath(uid)), limits);
+    return batch.commit();
+};
+
+before(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-oix',
+        firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+    });
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(() => testEnv.clearFirestore());
+
+describe('ads', () => {
+    test('a signed-in user can post a valid ad as themselves', async () => {
+        await assertSucceeds(post(dbAs('alice'), 'alice', newAd('alice')));
+    });
+
+    test('nobody can post an ad in someone else\'s name', async () => {
+        await assertFails(post(dbAs('bob'), 'bob', newAd('alice')));
+        await assertFails(post(testEnv.unauthenticatedContext().firestore(), 'alice', newAd('alice')));
+    });
+
+    for (const field of ['title', 'description', 'category', 'location', 'userId', 'timestamp']) {
+        test(`an ad without ${field} is rejected`, async () => {
+            const { [field]: _omitted, ...ad } = newAd('alice');
+            await assertFails(post(dbAs('alice'), 'alice', ad));
+        });
+    }
+
+    test('an empty title is rejected', async () => {
+        await assertFails(post(dbAs('alice'), 'alice', newAd('alice', { title: '' })));
+    });
+
+    test('a negative price is rejected on create and on update', async () => {
+        await assertFails(post(dbAs('alice'), 'alice', newAd('alice', { price: -1 })));
+
+        await seed(adPath('ad2'), storedAd('alice'));
+        await assertFails(updateDoc(doc(dbAs('alice'), adPath('ad2')), { price: -500 }));
+    });
+
+    test('a fixed-price ad needs a price but a negotiable one does not', async () => {
+        const { price: _price, ...unpriced } = newAd('alice');
+        await assertFails(post(dbAs('alice'), 'alice', unpriced));
+        await assertSucceeds(post(dbAs('alice'), 'alice', { ...unpriced, priceType: 'negotiable' }, 'ad2'));
+    });
+
+    test('a free ad may have a price of zero', async () => {
+        await assertSucceeds(post(dbAs('alice'), 'alice', newAd('alice', { price: 0, priceType: 'free' })));
+    });
+
+    test('only the owner can edit an ad', async () => {
+        await seed(adPath('ad1'), storedAd('alice'));
+        await assertSucceeds(updateDoc(doc(dbAs('alice'), adPath('ad1')), { title: 'Toyota Corolla 2015 GLi', moderationStatus: 'pending' }));
+        await assertFails(updateDoc(doc(dbAs('bob'), adPath('ad1')), { title: 'Scam' }));
+    });
+
+    test('the owner cannot hand an ad to someone else', async () => {
+        await seed(adPath('ad1'), storedAd('alice'));
+        await assertFails(updateDoc(doc(dbAs('alice'), adPath('ad1')), { userId: 'bob' }));
+    });
+
+    test('only the owner can delete an ad', async () => {
+        await seed(adPath('ad1'), storedAd('alice'));
+        await assertFails(deleteDoc(doc(dbAs('bob'), adPath('ad1'))));
+        await assertFails(deleteDoc(doc(testEnv.unauthenticatedContext().firestore(), adPath('ad1'))));
+        await assertSucceeds(deleteDoc(doc(dbAs('alice'), adPath('ad1'))));
+    });
+
+    test('an admin can delete any ad', async () => {
+        await seed(profilePath('admin'), { role: 'admin', banned: false });
+        await seed(adPath('ad1'), storedAd('alice'));
+        await assertSucceeds(deleteDoc(doc(dbAs('admin'), adPath('ad1'))));
+    });
+
+    test('a banned user cannot post', async () => {
+        await seed(profilePath('alice'), { role: 'user', banned: true });
+        await assertFails(post(dbAs('alice'), 'alice', newAd('alice')));
+    });
+
+    test('a banned user cannot edit their ads', async () => {
+        await seed(profilePath('alice'), { role: 'user', banned: true });
+        await seed(adPath('ad1'), storedAd('alice', { moderationStatus: 'hidden' }));
+        await assertFails(updateDoc(doc(dbAs('alice'), adPath('ad1')), { title: 'Toyota Corolla 2015 GLi' }));
+        await assertFails(updateDoc(doc(dbAs('alice'), adPath('ad1')), { status: 'sold' }));
+    });
+
+    test('the owner cannot replace or clear the accepted offer', async () => {
+        await seed(adPath('ad1'), storedAd('alice', { acceptedOfferId: 'o1' }));
+        await assertFails(updateDoc(doc(dbAs('alice'), adPath('ad1')), { acceptedOfferId: 'o2' }));
+        await assertFails(updateDoc(doc(dbAs('alice'), adPath('ad1')), { acceptedOfferId: null }));
+        await assertSucceeds(updateDoc(doc(dbAs('alice'), adPath('ad1')), { price: 2400000 }));
+    });
+
+    test('new ads wait for screening', async () => {
+        const { moderationStatus: _moderationStatus, ...unreviewed } = newAd('alice');
+        await assertFails(post(dbAs('alice'), 'alice', unreviewed));
+        await assertFails(post(dbAs('alice'), 'alice', newAd('alice', { moderationStatus: 'visible' })));
+        await assertFails(post(dbAs('alice'), 'alice', newAd('alice', { screenedAt: serverTimestamp() })));
+    });
+
+    test('changing the text of a visible ad sends it back for screening', async () => {
+        await seed(adPath('ad1'), storedAd('alice', { moderationStatus: 'visible', screenedAt: Timestamp.now() }));
+        await assertFails(updateDoc(doc(dbAs('alice'), adPath('ad1')), { description: 'Call 0300-1234567 now' }));
+        await assertFails(updateDoc(doc(dbAs('alice'), adPath('ad1')), { description: 'Call 0300-1234567 now', moderationStatus: 'pending' }));
+        await assertSucceeds(updateDoc(doc(dbAs('alice'), adPath('ad1')), { description: 'Call 0300-1234567 now', moderationStatus: 'pending', screenedAt: deleteField() }));
+    });
+
+    test('every new ad counts towards the posting limits', async () => {
+        await assertFails(setDoc(doc(dbAs('alice'), adPath('ad1')), newAd('alice')));
+        await assertFails(post(dbAs('alice'), 'alice', newAd('alice'), 'ad1', { ...firstPostLimits(), hourCount: 0 }));
+    });
+
+    test('posting stops at the hourly limit until the hour has passed', async () => {
+        const counters = (hourStart) => ({ lastPostedAt: hourStart, hourStart, hourCount: 5, dayStart: hourStart, dayCount: 5 });
+        const nextPost = (previous) => ({ ...previous, lastPostedAt: serverTimestamp(), hourCount: 6, dayCount: 6 });
+
+        const recent = Timestamp.fromMillis(Date.now() - 10 * 60 * 1000);
+        await seed(limitsPath('alice'), counters(recent));
+        await assertFails(post(dbAs('alice'), 'alice', newAd('alice'), 'ad1', nextPost(counters(recent))));
+
+        const earlier = Timestamp.fromMillis(Date.now() - 2 * 60 * 60 * 1000);
+        await seed(limitsPath('alice'), counters(earlier));
+        await assertSucceeds(post(dbAs('alice'), 'alice', newAd('alice'), 'ad1',
+            { ...nextPost(counters(earlier)), hourStart: serverTimestamp(), hourCount: 1 }));
+    });
+
+    test('posting counters cannot be reset', async () => {
+        const start = Timestamp.fromMillis(Date.now() - 10 * 60 * 1000);
+        await seed(limitsPath('alice'), { lastPostedAt: start, hourStart: start, hourCount: 5, dayStart: start, dayCount: 5 });
+        await assertFails(post(dbAs('alice'), 'alice', newAd('alice')));
+        await assertFails(deleteDoc(doc(dbAs('alice'), limitsPath('alice'))));
+    });
+});
+
+describe('profiles', () => {
+    test('users create their own profile as a regular, unbanned user', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('alice'), profilePath('alice')), { role: 'user', banned: false, displayName: 'Alice' }));
+    });
+
+    test('users cannot create a profile for someone else', async () => {
+        await assertFails(setDoc(doc(dbAs('bob'), profilePath('alice')), { role: 'user', banned: false }));
+    });
+
+    test('users cannot make themselves admin or start out banned', async () => {
+        await assertFails(setDoc(doc(dbAs('alice'), profilePath('alice')), { role: 'admin', banned: false }));
+        await assertFails(setDoc(doc(dbAs('bob'), profilePath('bob')), { role: 'user', banned: true }));
+    });
+
+    test('users edit their own profile but not their role or ban', async () => {
+        await seed(profilePath('alice'), { role: 'user', banned: false, displayName: 'Alice' });
+        await assertSucceeds(updateDoc(doc(dbAs('alice'), profilePath('alice')), { displayName: 'Alice K' }));
+        await assertFails(updateDoc(doc(dbAs('alice'), profilePath('alice')), { role: 'admin' }));
+    });
+
+    test('banned users cannot lift their own ban', async () => {
+        await seed(profilePath('alice'), { role: 'user', banned: true });
+        await assertFails(updateDoc(doc(dbAs('alice'), profilePath('alice')), { banned: false }));
+    });
+
+    test('other users cannot edit a profile', async () => {
+        await seed(profilePath('alice'), { role: 'user', banned: false, displayName: 'Alice' });
+        await assertFails(updateDoc(doc(dbAs('bob'), profilePath('alice')), { displayName: 'Hacked' }));
+        await assertFails(updateDoc(doc(dbAs('bob'), profilePath('alice')), { banned: true }));
+    });
+
+    test('admins can ban users but not change their role', async () => {
+        await seed(profilePath('admin'), { role: 'admin', banned: false });
+        await seed(profilePath('alice'), { role: 'user', banned: false });
+        await assertSucceeds(updateDoc(doc(dbAs('admin'), profilePath('alice')), { banned: true }));
+        await assertFails(updateDoc(doc(dbAs('admin'), profilePath('alice')), { role: 'admin' }));
+    });
+
+    test('public profiles are readable by anyone', async () => {
+        await seed(profilePath('alice'), { role: 'user', banned: false });
+        await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), profilePath('alice'))));
+    });
+});
+
+describe('offers', () => {
+    beforeEach(async () => {
+        await seed(adPath('ad1'), storedAd('alice'));
+        await seed(adPath('ad2'), storedAd('carol'));
+    });
+
+    const accept = (db, offerId, adId) => {
+        const batch = writeBatch(db);
+        batch.update(doc(db, offerPath(offerId)), { status: 'accepted', updatedAt: serverTimestamp() });
+        batch.update(doc(db, adPath(adId)), { acceptedOfferId: offerId });
+        return batch.commit();
+    };
+
+    test('offers can only be made to the ad\'s owner', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('bob'), offerPath('o1')), storedOffer()));
+        await assertFails(setDoc(doc(dbAs('bob'), offerPath('o2')), storedOffer({ sellerId: 'carol', participants: ['bob', 'carol'] })));
+    });
+
+    test('a new offer must expire within the offer period', async () => {
+        const { expiresAt: _expiresAt, ...openEnded } = storedOffer();
+        await assertFails(setDoc(doc(dbAs('bob'), offerPath('o1')), openEnded));
+        await assertFails(setDoc(doc(dbAs('bob'), offerPath('o1')), storedOffer({ expiresAt: Date.now() + 365 * DAY })));
+        await assertFails(setDoc(doc(dbAs('bob'), offerPath('o1')), storedOffer({ expiresAt: Date.now() - DAY })));
+    });
+
+    test('a counter-offer must restart the offer period', async () => {
+        await seed(offerPath('o1'), storedOffer());
+        await assertFails(updateDoc(doc(dbAs('alice'), offerPath('o1')), { status: 'countered', counterAmount: 2400000, expiresAt: Date.now() + 365 * DAY }));
+    });
+
+    test('a buyer cannot accept their own pending offer', async () => {
+        await seed(offerPath('o1'), storedOffer());
+        await assertFails(updateDoc(doc(dbAs('bob'), offerPath('o1')), { status: 'accepted' }));
+        await assertFails(accept(dbAs('bob'), 'o1', 'ad1'));
+    });
+
+    test('the seller accepts a pending offer and records it on the ad', async () => {
+        await seed(offerPath('o1'), storedOffer());
+        await assertFails(updateDoc(doc(dbAs('alice'), offerPath('o1')), { status: 'accepted' }));
+        await assertSucceeds(accept(dbAs('alice'), 'o1', 'ad1'));
+    });
+
+    test('the buyer accepts a counter-offer and records it on the ad', async () => {
+        await seed(offerPath('o1'), storedOffer({ status: 'countered', counterAmount: 2400000 }));
+        await assertSucceeds(accept(dbAs('bob'), 'o1', 'ad1'));
+    });
+
+    test('a buyer cannot record an offer on an ad it was not made for', async () => {
+        await seed(offerPath('o1'), storedOffer({ status: 'countered' }));
+        await assertFails(updateDoc(doc(dbAs('bob'), adPath('ad2')), { acceptedOfferId: 'o1' }));
+        await assertFails(accept(dbAs('bob'), 'o1', 'ad2'));
+    });
+
+    test('a buyer cannot record an offer whose seller does not own the ad', async () => {
+        await seed(offerPath('o1'), storedOffer({ adId: 'ad2', status: 'countered' }));
+        await assertFails(accept(dbAs('bob'), 'o1', 'ad2'));
+    });
+
+    test('a buyer cannot record an offer without accepting a counter-offer', async () => {
+        await seed(offerPath('o1'), storedOffer());
+        await assertFails(updateDoc(doc(dbAs('bob'), adPath('ad1')), { acceptedOfferId: 'o1' }));
+    });
+
+    test('only the buyer can withdraw and only the seller can counter', async () => {
+        await seed(offerPath('o1'), storedOffer());
+        await assertFails(updateDoc(doc(dbAs('alice'), offerPath('o1')), { status: 'withdrawn' }));
+        await assertFails(updateDoc(doc(dbAs('bob'), offerPath('o1')), { status: 'countered', counterAmount: 1 }));
+        await assertSucceeds(updateDoc(doc(dbAs('alice'), offerPath('o1')), { status: 'countered', counterAmount: 2400000, expiresAt: Date.now() + 3 * DAY }));
+        await assertSucceeds(updateDoc(doc(dbAs('bob'), offerPath('o1')), { status: 'withdrawn' }));
+    });
+
+    test('finished offers cannot be reopened', async () => {
+        await seed(offerPath('o1'), storedOffer({ status: 'rejected' }));
+        await assertFails(updateDoc(doc(dbAs('alice'), offerPath('o1')), { status: 'pending' }));
+        await assertFails(updateDoc(doc(dbAs('bob'), offerPath('o1')), { status: 'withdrawn' }));
+    });
+
+    test('lapsed offers can only be marked expired', async () => {
+        await seed(offerPath('o1'), storedOffer({ expiresAt: Date.now() - DAY }));
+        await assertFails(accept(dbAs('alice'), 'o1', 'ad1'));
+        await assertSucceeds(updateDoc(doc(dbAs('bob'), offerPath('o1')), { status: 'expired' }));
+    });
+
+    test('outsiders cannot touch an offer', async () => {
+        await seed(offerPath('o1'), storedOffer());
+        await assertFails(updateDoc(doc(dbAs('carol'), offerPath('o1')), { status: 'rejected' }));
+    });
+});
+
+describe('conversations', () => {
+    const conversationPath = (conversationId) => `${ROOT}/public/data/conversations/${conversationId}`;
+
+    // What startConversation writes
+    const newConversation = (buyerId, sellerId, adId = 'ad1') => ({
+        adId,
+        adTitle: 'Toyota Corolla 2015',
+        buyerId,
+        sellerId,
+        participants: [buyerId, sellerId],
+        lastMessage: '',
+        lastSenderId: null,
+        lastMessageAt: serverTimestamp(),
+        unread: { [buyerId]: 0, [sellerId]: 0 },
+    });
+
+    beforeEach(() => seed(adPath('ad1'), storedAd('alice')));
+
+    test('a buyer opens a conversation with the ad owner', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('bob'), conversationPath('ad1_bob')), newConversation('bob', 'alice')));
+    });
+
+    test('the conversation id must be the ad and the buyer', async () => {
+        await assertFails(setDoc(doc(dbAs('bob'), conversationPath('ad1_carol')), newConversation('bob', 'alice')));
+        await assertFails(setDoc(doc(dbAs('bob'), conversationPath('ad2_bob')), newConversation('bob', 'alice')));
+    });
+
+    test('the seller must own the ad', async () => {
+        await assertFails(setDoc(doc(dbAs('bob'), conversationPath('ad1_bob')), newConversation('bob', 'carol')));
+    });
+
+    test('a banned user cannot open a conversation or send messages', async () => {
+        await seed(conversationPath('ad1_bob'), newConversation('bob', 'alice'));
+        await seed(profilePath('bob'), { role: 'user', banned: true });
+        await seed(profilePath('carol'), { role: 'user', banned: true });
+        await assertFails(setDoc(doc(dbAs('carol'), conversationPath('ad1_carol')), newConversation('carol', 'alice')));
+        await assertFails(setDoc(doc(dbAs('bob'), `${conversationPath('ad1_bob')}/messages/m1`), { senderId: 'bob', text: 'Still available?' }));
+        await assertSucceeds(setDoc(doc(dbAs('alice'), `${conversationPath('ad1_bob')}/messages/m2`), { senderId: 'alice', text: 'Yes.' }));
+    });
+});
+
+describe('notifications', () => {
+    const notificationPath = (uid, notificationId) => `${ROOT}/users/${uid}/notifications/${notificationId}`;
+    const notification = (actorId, fields) => ({ actorId, read: false, message: 'offer', createdAt: serverTimestamp(), ...fields });
+
+    beforeEach(async () => {
+        await seed(adPath('ad1'), storedAd('alice'));
+        await seed(offerPath('o1'), storedOffer());
+        await seed(`${ROOT}/public/data/conversations/ad1_bob`, {
+            adId: 'ad1', buyerId: 'bob', sellerId: 'alice', participants: ['bob', 'alice'],
+        });
+    });
+
+    test('the other side of an offer or conversation can notify a user', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('bob'), notificationPath('alice', 'n1')), notification('bob', { type: 'offer', offerId: 'o1', adId: 'ad1' })));
+        await assertSucceeds(setDoc(doc(dbAs('bob'), notificationPath('alice', 'message_ad1_bob')), notification('bob', { type: 'message', conversationId: 'ad1_bob', adId: 'ad1' })));
+    });
+
+    test('a notification must come from something that links the two users', async () => {
+        await assertFails(setDoc(doc(dbAs('carol'), notificationPath('alice', 'n1')), notification('carol', { type: 'offer', offerId: 'o1', adId: 'ad1' })));
+        await assertFails(setDoc(doc(dbAs('carol'), notificationPath('alice', 'n2')), notification('carol', { type: 'offer', adId: 'ad1' })));
+        await assertFails(setDoc(doc(dbAs('carol'), notificationPath('alice', 'n3')), notification('carol', { type: 'system' })));
+        await assertFails(setDoc(doc(dbAs('bob'), notificationPath('alice', 'message_ad2_bob')), notification('bob', { type: 'message', conversationId: 'ad1_bob', adId: 'ad1' })));
+    });
+
+    test('a favorite notification needs the favorite', async () => {
+        const favorite = notification('bob', { type: 'favorite', adId: 'ad1' });
+        await assertFails(setDoc(doc(dbAs('bob'), notificationPath('alice', 'n1')), favorite));
+        await seed(`${ROOT}/users/bob/favorites/ad1`, { adId: 'ad1' });
+        await assertSucceeds(setDoc(doc(dbAs('bob'), notificationPath('alice', 'n1')), favorite));
+    });
+
+    test('users write their own notifications without an actor', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('alice'), notificationPath('alice', 'n1')), notification(null, { type: 'savedSearch' })));
+        await assertFails(setDoc(doc(dbAs('bob'), notificationPath('alice', 'n2')), notification(null, { type: 'savedSearch' })));
+    });
+});
+
+describe('reviews', () => {
+    const reviewPath = (reviewId) => `${ROOT}/public/data/reviews/${reviewId}`;
+    const registered = (uid) => testEnv.authenticatedContext(uid, { firebase: { sign_in_provider: 'password' } }).firestore();
+    const guest = (uid) => testEnv.authenticatedContext(uid, { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+
+    beforeEach(async () => {
+        await seed(adPath('ad1'), storedAd('alice'));
+        await seed(profilePath('alice'), { displayName: 'Alice' });
+        await seed(`${ROOT}/public/data/conversations/ad1_bob`, {
+            adId: 'ad1', buyerId: 'bob', sellerId: 'alice', participants: ['bob', 'alice'],
+        });
+    });
+
+    // What postReview writes: the review and the seller's rating, together
+    const review = (db, reviewerId, rating = 5) => {
+        const reviewId = `ad1_${reviewerId}`;
+        const batch = writeBatch(db);
+        batch.set(doc(db, reviewPath(reviewId)), {
+            adId: 'ad1', adTitle: 'Toyota Corolla 2015', sellerId: 'alice', reviewerId, offerId: null,
+            rating, text: 'Smooth deal.', response: null, respondedAt: null, hidden: false, createdAt: serverTimestamp(),
+        });
+        batch.update(doc(db, profilePath('alice')), { reviewCount: 1, ratingTotal: rating, lastReviewId: reviewId });
+        return batch.commit();
+    };
+
+    test('a registered buyer who chatted with the seller can review them', async () => {
+        await assertSucceeds(review(registered('bob'), 'bob'));
+    });
+
+    test('guests cannot review', async () => {
+        await assertFails(review(guest('bob'), 'bob'));
+    });
+
+    test('a user who never contacted the seller cannot review them', async () => {
+        await assertFails(review(registered('carol'), 'carol'));
+    });
+
+    test('only the reviewer can notify the seller about a review', async () => {
+        await review(registered('bob'), 'bob');
+        const notification = { type: 'review', message: 'review', reviewId: 'ad1_bob', adId: 'ad1', read: false };
+        const notificationPath = `${ROOT}/users/alice/notifications/review_ad1_bob`;
+        await assertFails(setDoc(doc(dbAs('carol'), notificationPath), { ...notification, actorId: 'carol' }));
+        await assertSucceeds(setDoc(doc(dbAs('bob'), notificationPath), { ...notification, actorId: 'bob' }));
+    });
+});